@@ -3,38 +3,1264 @@ import andThen from 'ramda/src/andThen.js';
 import apply from 'ramda/src/apply.js';
 import compose from 'ramda/src/compose.js';
 import curry from 'ramda/src/curry.js';
+import curryN from 'ramda/src/curryN.js';
 import is from 'ramda/src/is.js';
+import isNil from 'ramda/src/isNil.js';
 import mergeDeepLeft from 'ramda/src/mergeDeepLeft.js';
+import omit from 'ramda/src/omit.js';
 import pipe from 'ramda/src/pipe.js';
+import reject from 'ramda/src/reject.js';
 
 export { andThen, compose, pipe };
 
 const raise = err => { throw err };
+const abortError = () => Object.assign(new Error('The user aborted a request.'), { name: 'AbortError' });
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) return reject(abortError());
+  const onAbort = () => { clearTimeout(timer); reject(abortError()); };
+  const timer = setTimeout(() => {
+    signal && signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal && signal.addEventListener('abort', onAbort);
+});
+
+const isAbsoluteUrl = url => /^([a-z][a-z\d+\-.]*:|\/\/)/i.test(url);
+const splitUrl = url => /^([^?#]*)(?:\?([^#]*))?(#.*)?$/.exec(url).slice(1);
+const joinUrl = (base, path) => {
+  if (isAbsoluteUrl(path)) return path;
+  const [basePath, baseQuery, baseHash] = splitUrl(base);
+  const [relativePath, query, hash] = splitUrl(path);
+  const joined = relativePath ? `${basePath.replace(/\/+$/, '')}/${relativePath.replace(/^\/+/, '')}` : basePath;
+  const search = [baseQuery, query].filter(Boolean).join('&');
+  return `${joined}${search ? `?${search}` : ''}${hash || baseHash || ''}`;
+};
+
+const encode = value => encodeURIComponent(value === null ? '' : value);
+const decode = value => decodeURIComponent(value.replace(/\+/g, ' '));
+const encodeQuery = (params, { arrayFormat = 'repeat' }) => Object.keys(params).sort()
+  .flatMap(key => [].concat(params[key])
+    .filter(value => value !== undefined)
+    .map(value => `${encode(is(Array, params[key]) && arrayFormat === 'brackets' ? `${key}[]` : key)}=${encode(value)}`))
+  .join('&');
+const appendQuery = (url, params, settings) => {
+  const [path, ...hash] = url.split('#');
+  const [, search = ''] = path.split('?');
+  const existing = search.split('&').filter(Boolean).map(pair => decode(pair.split('=')[0]).replace(/\[\]$/, ''));
+  const query = encodeQuery(omit(existing, params), settings);
+  const separator = !path.includes('?') ? '?' : /[?&]$/.test(path) ? '' : '&';
+  return query ? [`${path}${separator}${query}`, ...hash].join('#') : url;
+};
+
+const headerEntries = headers =>
+  !headers ? []
+  : is(Array, headers) ? headers
+  : is(Function, headers.entries) ? Array.from(headers.entries())
+  : Object.entries(headers);
+const hasHeader = (headers, name) => Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+const getHeader = (headers, name) => {
+  const key = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : headers[key];
+};
+// Repeated names within one source combine like Headers#append
+const combineHeaders = headers => headerEntries(headers).reduce((combined, [name, value]) => {
+  const key = Object.keys(combined).find(key => key.toLowerCase() === name.toLowerCase());
+  return key === undefined ? { ...combined, [name]: value }
+    : isNil(value) ? combined
+    : { ...combined, [key]: isNil(combined[key]) ? value : `${combined[key]}, ${value}` };
+}, {});
+const mergeOptions = (opts, defaults) => opts.headers || defaults.headers
+  ? { ...mergeDeepLeft(opts, defaults), headers: mergeHeaders(opts.headers, defaults.headers) }
+  : mergeDeepLeft(opts, defaults);
+// fetch reads the url, method and headers of a Request input unless opts override them
+const isRequest = input => Boolean(input) && typeof input === 'object' && typeof input.url === 'string';
+const inputUrl = input => isRequest(input) ? input.url : String(input);
+const inputMethod = (input, opts) => (opts.method || (isRequest(input) && input.method) || 'GET').toUpperCase();
+const inputHeaders = (input, opts) => mergeHeaders(opts.headers || (isRequest(input) ? input.headers : undefined));
+
+const abortAfter = async (ms, fetch, url, opts) => {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, ms);
+  if (opts.signal) opts.signal.aborted ? controller.abort() : opts.signal.addEventListener('abort', onAbort);
+
+  try {
+    return await fetch(url, { ...opts, signal: controller.signal });
+  } catch (err) {
+    throw timedOut && err.name === 'AbortError' ? new TimeoutError(ms) : err;
+  } finally {
+    clearTimeout(timer);
+    opts.signal && opts.signal.removeEventListener('abort', onAbort);
+  }
+};
+
+const toBytes = async value =>
+  value instanceof ArrayBuffer ? new Uint8Array(value)
+  : ArrayBuffer.isView(value) ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+  : value && is(Function, value.arrayBuffer) ? new Uint8Array(await value.arrayBuffer())
+  : new TextEncoder().encode(String(value));
+const concatBytes = chunks => {
+  const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  chunks.reduce((offset, chunk) => { bytes.set(chunk, offset); return offset + chunk.length; }, 0);
+  return bytes;
+};
+const isFilePart = value => value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+  || (is(Object, value) && ('content' in value || is(Function, value.arrayBuffer)));
+const escapeDisposition = value => String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+const multipartPart = async (boundary, name, value) => {
+  const file = isFilePart(value) && !('content' in value)
+    ? { filename: value.name || 'blob', contentType: value.type || 'application/octet-stream', content: value }
+    : value;
+  const head = isFilePart(value)
+    ? `--${boundary}\r\nContent-Disposition: form-data; name="${escapeDisposition(name)}"; filename="${escapeDisposition(file.filename || 'blob')}"\r\nContent-Type: ${file.contentType || 'application/octet-stream'}\r\n\r\n`
+    : `--${boundary}\r\nContent-Disposition: form-data; name="${escapeDisposition(name)}"\r\n\r\n`;
+  return concatBytes([await toBytes(head), await toBytes(isFilePart(value) ? file.content : value), await toBytes('\r\n')]);
+};
+const encodeMultipart = async payload => {
+  const boundary = `----fetch-friends-${Math.random().toString(16).slice(2)}${Date.now().toString(16)}`;
+  const parts = await Promise.all(Object.keys(payload).flatMap(name => [].concat(payload[name])
+    .filter(value => value !== undefined)
+    .map(value => multipartPart(boundary, name, value))));
+  return {
+    contentType: `multipart/form-data; boundary=${boundary}`,
+    body: concatBytes([...parts, await toBytes(`--${boundary}--\r\n`)])
+  };
+};
+
+const parseJson = res => res.text().then(text => text ? JSON.parse(text) : undefined);
+const parseText = res => res.text();
+const PARSERS = {
+  'application/json': parseJson,
+  'application/*+json': parseJson,
+  'text/*': parseText,
+  'application/xml': parseText,
+  'application/*+xml': parseText,
+  '*/*': res => res.arrayBuffer()
+};
+const escapeRegExp = value => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+const matchesType = (pattern, type) =>
+  new RegExp(`^${pattern.split('*').map(escapeRegExp).join('[^/]*')}$`, 'i').test(type);
+const mediaType = res => (res.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+const isEmpty = res => [204, 205, 304].includes(res.status) || res.headers.get('Content-Length') === '0';
+const acceptFor = parsers => Object.keys(parsers)
+  .filter(type => /^[^*/]+\/([^*]+|\*)$/.test(type))
+  .concat('application/json', 'text/*;q=0.9', '*/*;q=0.8')
+  .join(', ');
+
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 404, 405, 410, 414, 501];
+const parseCacheControl = value => (value || '').split(',').map(directive => directive.trim()).filter(Boolean)
+  .reduce((directives, directive) => {
+    const [name, arg] = directive.split('=');
+    return { ...directives, [name.toLowerCase()]: arg === undefined ? true : arg.replace(/^"|"$/g, '') };
+  }, {});
+const freshnessLifetime = (headers, directives, shared) =>
+  directives['no-cache'] ? 0
+  : shared && directives['s-maxage'] !== undefined ? Number(directives['s-maxage']) || 0
+  : directives['max-age'] !== undefined ? Number(directives['max-age']) || 0
+  : headers.get('Expires') ? Math.max(0, (Date.parse(headers.get('Expires')) - (Date.parse(headers.get('Date')) || Date.now())) / 1000) || 0
+  : 0;
+const isFresh = entry => entry.age + (Date.now() - entry.storedAt) / 1000 < entry.lifetime;
+const varyHeaders = (vary, requestHeaders) => vary.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+  .reduce((headers, name) => ({ ...headers, [name]: getHeader(requestHeaders, name) || null }), {});
+const varyMatches = (entry, requestHeaders) => Object.keys(entry.vary)
+  .every(name => (getHeader(requestHeaders, name) || null) === entry.vary[name]);
+const validators = headers => reject(isNil, {
+  'If-None-Match': headers.get('ETag'),
+  'If-Modified-Since': headers.get('Last-Modified')
+});
+// Response constructors ignore url and redirected, so rebuilt responses and their clones carry them over
+const keepLocation = (res, { url, redirected }) => {
+  const clone = res.clone.bind(res);
+  return Object.defineProperties(res, {
+    url: { value: url },
+    redirected: { value: redirected },
+    clone: { value: () => keepLocation(clone(), { url, redirected }) }
+  });
+};
+const bufferResponse = async (res, headers = res.headers) => keepLocation(new res.constructor(
+  [204, 205, 304].includes(res.status) ? null : await res.arrayBuffer(),
+  { status: res.status, statusText: res.statusText, headers }
+), res);
+const storeResponse = async (store, key, requestHeaders, res) => {
+  const directives = parseCacheControl(res.headers.get('Cache-Control'));
+  const vary = res.headers.get('Vary') || '';
+  const lifetime = freshnessLifetime(res.headers, directives, store.shared);
+  const authorized = hasHeader(requestHeaders, 'Authorization')
+    && !directives.public && directives['s-maxage'] === undefined && !directives['must-revalidate'];
+  const storable = CACHEABLE_STATUSES.includes(res.status) && !directives['no-store'] && !((directives.private || authorized) && store.shared)
+    && vary.trim() !== '*' && (lifetime > 0 || res.headers.has('ETag') || res.headers.has('Last-Modified'));
+  if (!storable) {
+    await store.delete(key);
+    return res;
+  }
+  const response = await bufferResponse(res);
+  await store.set(key, {
+    response,
+    storedAt: Date.now(),
+    age: Number(res.headers.get('Age')) || 0,
+    lifetime,
+    vary: varyHeaders(vary, requestHeaders)
+  });
+  return response.clone();
+};
+
+const untilAborted = (promise, signal) => !signal ? promise : new Promise((resolve, reject) => {
+  if (signal.aborted) return reject(abortError());
+  const onAbort = () => reject(abortError());
+  const cleanup = () => signal.removeEventListener('abort', onAbort);
+  signal.addEventListener('abort', onAbort);
+  promise.then(
+    res => { cleanup(); resolve(res); },
+    err => { cleanup(); reject(err); }
+  );
+});
+const joinRequest = (shared, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    shared.callers -= 1;
+    if (!shared.callers) shared.abandon();
+    reject(abortError());
+  };
+  const cleanup = () => signal && signal.removeEventListener('abort', onAbort);
+  shared.callers += 1;
+  signal && signal.addEventListener('abort', onAbort);
+  shared.response.then(res => shared.many ? res.clone() : res).then(
+    res => { cleanup(); resolve(res); },
+    err => { cleanup(); reject(err); }
+  );
+});
+
+const hostOf = url => {
+  try {
+    return new URL(String(url)).host;
+  } catch (err) {
+    return '';
+  }
+};
+
+const rateLimitReset = res => {
+  const status = res.status === 429 || res.status === 503 ? retryAfter(res) : undefined;
+  const reset = Number(res.headers.get('RateLimit-Reset') || res.headers.get('X-RateLimit-Reset'));
+  return status !== undefined ? status
+    : !reset ? undefined
+    : reset > 1e9 ? Math.max(0, reset * 1000 - Date.now())
+    : reset * 1000;
+};
+
+const toHex = bytes => Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+const randomHex = length => toHex(globalThis.crypto && globalThis.crypto.getRandomValues
+  ? globalThis.crypto.getRandomValues(new Uint8Array(length))
+  : Array.from({ length }, () => Math.floor(Math.random() * 256)));
+const utf8 = value => is(String, value) ? new TextEncoder().encode(value) : value;
+// Node before 16 has Buffer but no btoa
+const base64 = value => typeof btoa === 'function'
+  ? btoa(Array.from(utf8(value), byte => String.fromCharCode(byte)).join(''))
+  : Buffer.from(value).toString('base64');
+// Node before 19 only exposes Web Crypto on its crypto module, and not at all before 15
+const subtleCrypto = async () => {
+  if (globalThis.crypto && globalThis.crypto.subtle) return globalThis.crypto.subtle;
+  const { webcrypto } = await import('crypto');
+  if (!webcrypto) throw new Error('Web Crypto is not available; signing and SHA-256 Digest authentication need Node 15 or later');
+  return webcrypto.subtle;
+};
+const digest = async (algorithm, value) => toHex(await (await subtleCrypto()).digest(algorithm, utf8(value)));
+const sha256 = value => digest('SHA-256', value);
+const hmacBytes = async (algorithm, key, value) => {
+  const subtle = await subtleCrypto();
+  return new Uint8Array(await subtle.sign(
+    'HMAC',
+    await subtle.importKey('raw', utf8(key), { name: 'HMAC', hash: algorithm }, false, ['sign']),
+    utf8(value)
+  ));
+};
+const isHashable = body => isNil(body) || is(String, body) || body instanceof ArrayBuffer || ArrayBuffer.isView(body);
+
+// WebCrypto has no MD5, which Digest authentication still needs
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+const md5 = value => {
+  const bytes = new TextEncoder().encode(value);
+  const words = new Uint32Array((((bytes.length + 8) >>> 6) + 1) * 16);
+  bytes.forEach((byte, i) => { words[i >> 2] |= byte << (i % 4 * 8); });
+  words[bytes.length >> 2] |= 0x80 << (bytes.length % 4 * 8);
+  words[words.length - 2] = bytes.length * 8;
+  words[words.length - 1] = Math.floor(bytes.length / 0x20000000);
+
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  for (let chunk = 0; chunk < words.length; chunk += 16) {
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; i++) {
+      const round = i >> 4;
+      const f = round === 0 ? (b & c) | (~b & d)
+        : round === 1 ? (d & b) | (~d & c)
+        : round === 2 ? b ^ c ^ d
+        : c ^ (b | ~d);
+      const g = round === 0 ? i : round === 1 ? (5 * i + 1) % 16 : round === 2 ? (3 * i + 5) % 16 : 7 * i % 16;
+      const sum = (a + f + MD5_CONSTANTS[i] + words[chunk + g]) | 0;
+      const shift = MD5_SHIFTS[round * 4 + i % 4];
+      [a, d, c, b] = [d, c, b, (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0];
+    }
+    [a, b, c, d].forEach((word, i) => { state[i] = (state[i] + word) | 0; });
+  }
+  return toHex(new Uint8Array(new Uint32Array(state).buffer));
+};
+
+const requestUri = url => {
+  try {
+    const { pathname, search } = new URL(String(url));
+    return `${pathname}${search}`;
+  } catch (err) {
+    return String(url);
+  }
+};
+const encodeRfc3986 = value => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+const canonicalPath = (pathname, doubleEncode) => pathname.split('/').map(segment => {
+  const encoded = encodeRfc3986(decodeURIComponent(segment));
+  return doubleEncode ? encodeRfc3986(encoded) : encoded;
+}).join('/');
+const compareStrings = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+const canonicalQuery = searchParams => Array.from(searchParams)
+  .map(pair => pair.map(encodeRfc3986))
+  .sort(([keyA, valueA], [keyB, valueB]) => compareStrings(keyA, keyB) || compareStrings(valueA, valueB))
+  .map(pair => pair.join('='))
+  .join('&');
+const digestAuthorization = async (username, password, challenge, method, uri) => {
+  const algorithm = challenge.algorithm || 'MD5';
+  const hash = /^SHA-256/i.test(algorithm) ? sha256 : md5;
+  const qop = (challenge.qop || '').split(',').map(value => value.trim()).includes('auth') ? 'auth' : undefined;
+  const nc = (challenge.nc += 1).toString(16).padStart(8, '0');
+  const cnonce = randomHex(8);
+  const secret = await hash(`${username}:${challenge.realm}:${password}`);
+  const ha1 = /-sess$/i.test(algorithm) ? await hash(`${secret}:${challenge.nonce}:${cnonce}`) : secret;
+  const ha2 = await hash(`${method}:${uri}`);
+  const response = await hash(qop
+    ? `${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`
+    : `${ha1}:${challenge.nonce}:${ha2}`);
+  const params = [
+    `username="${username}"`,
+    `realm="${challenge.realm}"`,
+    `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`,
+    `algorithm=${algorithm}`,
+    `response="${response}"`,
+    ...(challenge.opaque !== undefined ? [`opaque="${challenge.opaque}"`] : []),
+    ...(qop ? [`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`] : [])
+  ];
+  return `Digest ${params.join(', ')}`;
+};
+
+const REDACTED = '[REDACTED]';
+const REDACTED_HEADERS = ['Authorization', 'Proxy-Authorization', 'Cookie', 'Set-Cookie'];
+const LOG_LEVELS = { request: 'debug', response: 'info', failure: 'warn', error: 'error' };
+const includesName = (names, name) => names.some(other => other.toLowerCase() === name.toLowerCase());
+const decodeName = pair => {
+  const name = pair.split('=')[0];
+  try {
+    return decode(name);
+  } catch (err) {
+    return name;
+  }
+};
+const redactPairs = (search, names) => search.split('&')
+  .map(pair => includesName(names, decodeName(pair)) ? `${pair.split('=')[0]}=${REDACTED}` : pair)
+  .join('&');
+const redactUrl = (url, names) => {
+  const [path, ...hash] = String(url).replace(/^([a-z][a-z\d+\-.]*:\/\/)[^/?#]*@/i, `$1${REDACTED}@`).split('#');
+  const [base, ...search] = path.split('?');
+  return search.length ? [`${base}?${redactPairs(search.join('?'), names)}`, ...hash].join('#') : [path, ...hash].join('#');
+};
+const redactHeaders = (headers, names) => headerEntries(headers).reduce((redacted, [name, value]) =>
+  ({ ...redacted, [name]: includesName(names, name) ? REDACTED : value }), {});
+const redactFields = (value, names) =>
+  is(Array, value) ? value.map(item => redactFields(item, names))
+  : value && value.constructor === Object ? Object.keys(value).reduce((redacted, key) =>
+    ({ ...redacted, [key]: includesName(names, key) ? REDACTED : redactFields(value[key], names) }), {})
+  : value;
+const redactBody = (body, headers, names) => {
+  if (!is(String, body)) return undefined;
+  if (/x-www-form-urlencoded/i.test(getHeader(mergeHeaders(headers), 'Content-Type'))) return redactPairs(body, names);
+  try {
+    return redactFields(JSON.parse(body), names);
+  } catch (err) {
+    return body;
+  }
+};
+const byteLength = body => is(String, body) ? utf8(body).byteLength
+  : body instanceof ArrayBuffer || ArrayBuffer.isView(body) ? body.byteLength
+  : undefined;
+
+const TRACEPARENT = /^([\da-f]{2})-([\da-f]{32})-([\da-f]{16})-([\da-f]{2})$/;
+const parseTraceparent = header => {
+  const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+  return match && match[1] !== 'ff' && /[^0]/.test(match[2]) && /[^0]/.test(match[3])
+    ? { traceId: match[2], spanId: match[3], flags: match[4] }
+    : undefined;
+};
+const serverAttributes = url => {
+  try {
+    const { hostname, port, protocol } = new URL(String(url));
+    return { 'server.address': hostname, 'server.port': Number(port) || (protocol === 'https:' ? 443 : 80) };
+  } catch (err) {
+    return {};
+  }
+};
+
+const METRIC_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const ID_SEGMENT = /^(\d+|[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}|[\da-f]{16,})$/i;
+const labelKey = labels => JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+const escapeMetric = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const formatLabels = labels => {
+  const pairs = Object.keys(labels).map(key => `${key}="${escapeMetric(labels[key]).replace(/"/g, '\\"')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+const statusClass = status => `${Math.floor(status / 100)}xx`;
+const pathOf = url => String(url).replace(/^([a-z][a-z\d+\-.]*:)?\/\/[^/?#]*/i, '').split(/[?#]/)[0] || '/';
+const hostnamesOf = url => {
+  try {
+    const { host, hostname } = new URL(String(url));
+    return [hostname, host];
+  } catch (err) {
+    return [];
+  }
+};
+const globRegExp = (pattern, separator) => new RegExp(`^${pattern.split(/(\*\*\/?|\*)/).map((part, i) =>
+  i % 2 === 0 ? part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+  : part === '*' ? `[^${separator}]*`
+  : part === '**/' ? '(?:.*/)?'
+  : '.*').join('')}$`);
+
+const isResponse = value => Boolean(value) && is(Number, value.status) && is(Function, value.arrayBuffer);
+const applyHooks = (hooks, value, ...args) => [].concat(hooks || []).reduce(
+  async (previous, hook) => (await hook(await previous, ...args)) || previous,
+  value
+);
+
+// frees the connection of a response that is thrown away, without waiting for garbage collection
+const discardBody = res => {
+  const { body } = res;
+  if (!body || res.bodyUsed) return;
+  if (is(Function, body.cancel)) body.cancel().catch(() => {});
+  else if (is(Function, body.resume)) body.resume();
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+const RETRY_POLICY = {
+  retries: 2,
+  methods: IDEMPOTENT_METHODS,
+  statuses: [408, 413, 429, 500, 502, 503, 504],
+  errors: ['AbortError', 'FetchError', 'TimeoutError', 'TypeError'],
+  delay: 300,
+  factor: 2,
+  maxDelay: 30000,
+  jitter: true,
+  maxRetryAfter: Infinity
+};
+
+// errors
+export class HTTPError extends Error {
+  constructor(response, { method = 'GET' } = {}) {
+    super(response.statusText || `Request failed with status ${response.status}`);
+    this.name = 'HTTPError';
+    this.status = response.status;
+    this.url = response.url;
+    this.method = method.toUpperCase();
+    this.headers = response.headers;
+    this.response = response;
+  }
+
+  // reads the response body once, on first call
+  preview(length = 1000) {
+    this.body = this.body || this.response.text().catch(() => '');
+    return this.body.then(text => text.slice(0, length));
+  }
+}
+
+export class ClientError extends HTTPError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'ClientError';
+  }
+}
+
+export class ServerError extends HTTPError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'ServerError';
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Request timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.timeout = ms;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(host, retryAt) {
+    super(`Circuit for ${host || 'requests'} is open`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+    this.retryAt = retryAt;
+  }
+}
+
+const httpError = (res, request) =>
+  new (res.status >= 500 ? ServerError : res.status >= 400 ? ClientError : HTTPError)(res, request);
 
 // fetch helpers
 export const abort = (ms) => {
   const controller = new AbortController();
-  setTimeout(() => controller.abort(), ms);
+  const timer = setTimeout(() => controller.abort(), ms);
+  timer.unref && timer.unref();
   return controller.signal;
 };
-export const json = res => res.json();
-export const rejectIfNotOkay = res => res.ok ? res : raise(new Error(res.statusText));
+export const awsSigV4 = ({ region, service, credentials }) => async ({ url, method, headers, body }) => {
+  const { accessKeyId, secretAccessKey, sessionToken } = is(Function, credentials) ? await credentials() : credentials;
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = getHeader(headers, 'X-Amz-Date') || new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = getHeader(headers, 'X-Amz-Content-Sha256') || (isHashable(body) ? await sha256(body || '') : 'UNSIGNED-PAYLOAD');
+  const amzHeaders = reject(isNil, {
+    'X-Amz-Date': amzDate,
+    'X-Amz-Security-Token': sessionToken,
+    'X-Amz-Content-Sha256': service === 's3' ? payloadHash : undefined
+  });
+  const signed = mergeHeaders(amzHeaders, headers, { host });
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const canonicalRequest = [
+    method,
+    canonicalPath(pathname, service !== 's3'),
+    canonicalQuery(searchParams),
+    names.map(name => `${name}:${String(getHeader(signed, name)).trim().replace(/\s+/g, ' ')}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, await sha256(canonicalRequest)].join('\n');
+  const signingKey = await [date, region, service, 'aws4_request']
+    .reduce(async (key, part) => hmacBytes('SHA-256', await key, part), `AWS4${secretAccessKey}`);
+  const signature = toHex(await hmacBytes('SHA-256', signingKey, stringToSign));
+  return {
+    ...amzHeaders,
+    'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+};
+export const backoff = curry(({ delay, factor, maxDelay, jitter }, attempt) => {
+  const ms = Math.min(maxDelay, delay * factor ** attempt);
+  return jitter ? ms / 2 + Math.random() * ms / 2 : ms;
+});
 export const basicAuthHeader = curry((username, password) =>
-  ({ 'Authorization': `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`}));
+  ({ 'Authorization': `Basic ${base64(`${username}:${password}`)}`}));
 export const bearerAuthHeader = (token) =>
   ({ 'Authorization' : `Bearer ${token}` });
+export const digestAuth = curry((username, password) => {
+  let challenge;
+  return {
+    authorize: (url, opts = {}) => challenge
+      ? digestAuthorization(username, password, challenge, (opts.method || 'GET').toUpperCase(), requestUri(url))
+      : undefined,
+    challenge: challenges => {
+      const digests = challenges.filter(({ scheme }) => /^digest$/i.test(scheme));
+      const digest = digests.find(({ params }) => /^SHA-256/i.test(params.algorithm)) || digests[0];
+      if (!digest) return false;
+      challenge = { ...digest.params, nc: 0 };
+      return true;
+    }
+  };
+});
+export const hmac = ({ key, algorithm = 'SHA-256', headers: names = [], header = 'X-Signature' }) => async ({ url, method, headers, body }) => {
+  if (!isHashable(body)) throw new TypeError('hmac can only sign string and binary bodies');
+  const message = [
+    method,
+    requestUri(url),
+    ...names.map(name => `${name.toLowerCase()}:${getHeader(headers, name) || ''}`),
+    await digest(algorithm, body || '')
+  ].join('\n');
+  return { [header]: toHex(await hmacBytes(algorithm, key, message)) };
+};
+export const json = res => res.json();
+export const matchHost = patterns => {
+  const compiled = [].concat(patterns).map(pattern => is(RegExp, pattern) ? pattern : globRegExp(pattern.toLowerCase(), '.'));
+  return url => hostnamesOf(url).some(host => compiled.some(pattern => pattern.test(host)));
+};
+export const matchMethod = methods => {
+  const names = [].concat(methods).map(name => name.toUpperCase());
+  return (url, opts = {}) => names.includes((opts.method || 'GET').toUpperCase());
+};
+export const matchPath = patterns => {
+  const compiled = [].concat(patterns).map(pattern => is(RegExp, pattern) ? pattern : globRegExp(pattern, '/'));
+  return url => compiled.some(pattern => pattern.test(pathOf(url)));
+};
+export const memoryExporter = ({ max = 1000 } = {}) => {
+  const spans = [];
+  return {
+    spans,
+    export: span => {
+      spans.push(span);
+      if (spans.length > max) spans.shift();
+    },
+    clear: () => { spans.length = 0 },
+    toJSON: () => spans
+  };
+};
+export const memoryRegistry = ({ buckets = METRIC_BUCKETS } = {}) => {
+  const metrics = new Map();
+  const define = (type, name, help, update) => {
+    if (!metrics.has(name)) metrics.set(name, { name, type, help, series: new Map() });
+    const { series } = metrics.get(name);
+    return (labels, value) => {
+      const key = labelKey(labels);
+      if (!series.has(key)) series.set(key, type === 'histogram' ? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 } : { labels, value: 0 });
+      update(series.get(key), value);
+    };
+  };
+  return {
+    counter: (name, help) => ({ inc: define('counter', name, help, (sample, value = 1) => { sample.value += value }) }),
+    gauge: (name, help) => ({ add: define('gauge', name, help, (sample, value) => { sample.value += value }) }),
+    histogram: (name, help) => ({
+      observe: define('histogram', name, help, (sample, value) => {
+        buckets.forEach((le, i) => { if (value <= le) sample.counts[i] += 1 });
+        sample.sum += value;
+        sample.count += 1;
+      })
+    }),
+    collect: () => Array.from(metrics.values(), ({ series, ...metric }) => ({
+      ...metric,
+      ...(metric.type === 'histogram' ? { buckets } : {}),
+      samples: Array.from(series.values())
+    }))
+  };
+};
+export const memoryStore = ({ max = 100, shared = false } = {}) => {
+  const entries = new Map();
+  return {
+    shared,
+    get: key => {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    set: (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    delete: key => { entries.delete(key) }
+  };
+};
+export const mergeHeaders = (...sources) => {
+  const merged = sources.map(combineHeaders).flatMap(Object.entries).reduce((merged, [name, value]) =>
+    hasHeader(merged, name) ? merged : { ...merged, [name]: value }, {});
+  return reject(isNil, merged);
+};
+export const parse = res => parseWith({}, res);
+export const parseChallenges = header => {
+  const challenges = [];
+  const pattern = /([^\s,=]+)(?:\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]*)))?/g;
+  let match;
+  while ((match = pattern.exec(header || ''))) {
+    const [, name, quoted, token] = match;
+    if (quoted === undefined && token === undefined) challenges.push({ scheme: name, params: {} });
+    else if (challenges.length) challenges[challenges.length - 1].params[name.toLowerCase()] = quoted === undefined ? token : quoted.replace(/\\(.)/g, '$1');
+  }
+  return challenges;
+};
+export const parseWith = curry((parsers, res) => {
+  if (isEmpty(res)) return Promise.resolve(undefined);
+  const type = mediaType(res) || 'application/octet-stream';
+  const [, parser] = Object.entries(parsers).concat(Object.entries(PARSERS)).find(([pattern]) => matchesType(pattern, type));
+  return parser(res);
+});
+export const prometheus = registry => registry.collect().map(({ name, type, help, buckets, samples }) => [
+  `# HELP ${name} ${escapeMetric(help)}`,
+  `# TYPE ${name} ${type}`,
+  ...samples.flatMap(sample => type !== 'histogram' ? [`${name}${formatLabels(sample.labels)} ${sample.value}`] : [
+    ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...sample.labels, le })} ${sample.counts[i]}`),
+    `${name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`,
+    `${name}_sum${formatLabels(sample.labels)} ${sample.sum}`,
+    `${name}_count${formatLabels(sample.labels)} ${sample.count}`
+  ])
+].join('\n')).map(text => `${text}\n`).join('');
+export const rejectIf = curryN(2, (predicate, res, request) => predicate(res) ? raise(httpError(res, request)) : res);
+export const rejectIfNotOkay = rejectIf(res => !res.ok);
+export const remaining = opts => opts.deadline ? Math.max(0, opts.deadline - Date.now()) : Infinity;
+export const requestKey = (url, opts = {}) => {
+  const method = inputMethod(url, opts);
+  return ['GET', 'HEAD'].includes(method) ? `${method} ${inputUrl(url)}` : undefined;
+};
+export const retryAfter = res => {
+  const value = res.headers.get('Retry-After');
+  if (!value) return undefined;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isNaN(ms) ? undefined : Math.max(0, ms);
+};
+export const routeTemplate = url => pathOf(url).split('/').map(segment => ID_SEGMENT.test(segment) ? ':id' : segment).join('/');
 
 // fetch decorators
-export const options = curry((decorate, fetch) => pipe(async (url, opts = {}) => [url, mergeDeepLeft(opts, is(Function, decorate) ? await decorate(opts) : decorate)], andThen(apply(fetch))));
-export const option = curry((key, value, fetch) => options(async () => ({ [key]: is(Function, value) ? await value() : value }), fetch));
+export const options = curry((decorate, fetch) => pipe(async (url, opts = {}) => [url, mergeOptions(opts, is(Function, decorate) ? await decorate(opts) : decorate)], andThen(apply(fetch))));
+export const option = curry((key, value, fetch) => options(async opts => ({ [key]: is(Function, value) ? await value(opts) : value }), fetch));
 export const method = option('method');
 export const headers = option('headers');
-export const timeout = curry((ms, fetch) => option('signal', () => abort(ms), fetch));
-export const body = fetch => (json, url, opts = {}) => options({
-  method: 'POST',
-  headers: { 'Content-Type': 'application/json' },
-  body: JSON.stringify(json)
-}, fetch)(url, opts);
+export const omitHeaders = curry((names, fetch) => (url, opts = {}) => fetch(url, opts.headers ? {
+  ...opts,
+  headers: mergeHeaders(names.map(name => [name, null]), opts.headers)
+} : opts));
+export const timeout = curry((ms, fetch) => (url, opts = {}) => abortAfter(Math.min(ms, remaining(opts)), fetch, url, opts));
+export const deadline = curry((ms, fetch) => (url, opts = {}) => {
+  const at = Math.min(Date.now() + ms, opts.deadline || Infinity);
+  return abortAfter(at - Date.now(), fetch, url, { ...opts, deadline: at });
+});
+export const url = curry((transform, fetch) => async (input, ...args) => fetch(await transform(input, ...args), ...args));
+export const baseUrl = curry((base, fetch) => url(async path => joinUrl(is(Function, base) ? await base() : base, String(path)), fetch));
+export const urlCredentials = fetch => async (url, opts = {}) => {
+  const match = /^([a-z][a-z\d+\-.]*:\/\/)([^/?#]*)@/i.exec(String(url));
+  if (!match) return fetch(url, opts);
+  const [username, ...password] = match[2].split(':');
+  return fetch(
+    String(url).replace(match[0], match[1]),
+    mergeOptions(opts, { headers: basicAuthHeader(decodeURIComponent(username), decodeURIComponent(password.join(':'))) })
+  );
+};
+export const queryWith = curry((settings, params, fetch) =>
+  url(async path => appendQuery(String(path), is(Function, params) ? await params() : params, settings), fetch));
+export const query = queryWith({});
+export const bodyWith = curry((encoder, fetch) => async (payload, url, opts = {}) => {
+  const { contentType, body } = await encoder(payload);
+  return fetch(url, { ...opts, headers: mergeHeaders({ 'Content-Type': contentType }, opts.headers), body });
+});
+export const jsonBody = bodyWith(payload => ({ contentType: 'application/json', body: JSON.stringify(payload) }));
+export const formBody = bodyWith(payload => ({ contentType: 'application/x-www-form-urlencoded;charset=UTF-8', body: encodeQuery(payload, {}) }));
+export const multipartBody = bodyWith(encodeMultipart);
+export const textBody = bodyWith(payload => ({ contentType: 'text/plain;charset=UTF-8', body: String(payload) }));
+export const binaryBody = bodyWith(payload => ({ contentType: 'application/octet-stream', body: payload }));
+export const body = fetch => jsonBody(method('POST', fetch));
+
+export const response = curry((transform, fetch) => async (url, opts = {}) => transform(await fetch(url, opts), opts));
+export const parsed = curry((parsers, fetch) => headers({ 'Accept': acceptFor(parsers) }, response(parseWith(parsers), fetch)));
+export const onError = curry((handler, fetch) => async (url, opts = {}) => {
+  try {
+    return await fetch(url, opts);
+  } catch (err) {
+    return handler(err, opts);
+  }
+});
+
+export const hooks = curry(({ beforeRequest, beforeRetry, afterResponse, beforeError }, fetch) => async (url, opts = {}) => {
+  const attempt = opts.attempt || 1;
+  const before = [].concat(attempt > 1 ? beforeRetry || [] : [], beforeRequest || [])
+    .map(hook => current => isResponse(current) ? current : hook(current, attempt));
+  const request = await applyHooks(before, { url, opts });
+  if (isResponse(request)) return request;
+  let res;
+  try {
+    res = await fetch(request.url, request.opts);
+  } catch (err) {
+    throw await applyHooks(beforeError, err, request);
+  }
+  return applyHooks(afterResponse, res, request);
+});
+export const log = curry((logger, fetch) => {
+  const { logger: write, levels, redact: { headers = [], query = [], body = [] } = {} } = logger.logger ? logger : { logger };
+  const levelOf = { ...LOG_LEVELS, ...levels };
+  const headerNames = [...REDACTED_HEADERS, ...headers];
+  const emit = (level, entry) => {
+    if (!level) return;
+    const logged = reject(isNil, { level, ...entry });
+    is(Function, write) ? write(logged) : write[level](logged);
+  };
+
+  return async (url, opts = {}) => {
+    const startedAt = Date.now();
+    const request = { method: (opts.method || 'GET').toUpperCase(), url: redactUrl(url, query), attempt: opts.attempt || 1 };
+    emit(levelOf.request, {
+      type: 'request',
+      ...request,
+      headers: redactHeaders(opts.headers, headerNames),
+      body: redactBody(opts.body, opts.headers, body),
+      size: byteLength(opts.body)
+    });
+    let res;
+    try {
+      res = await fetch(url, opts);
+    } catch (err) {
+      emit(levelOf.error, { type: 'error', ...request, duration: Date.now() - startedAt, error: { name: err.name, message: err.message } });
+      throw err;
+    }
+    const length = res.headers && res.headers.get('Content-Length');
+    emit(res.ok ? levelOf.response : levelOf.failure, {
+      type: 'response',
+      ...request,
+      status: res.status,
+      duration: Date.now() - startedAt,
+      headers: redactHeaders(res.headers, headerNames),
+      size: length ? Number(length) : undefined
+    });
+    return res;
+  };
+});
+export const trace = curry(({ exporter, tracestate }, fetch) => async (url, opts = {}) => {
+  const headers = mergeHeaders(opts.headers);
+  const incoming = parseTraceparent(getHeader(headers, 'traceparent'));
+  const parent = opts.trace || (incoming && { ...incoming, state: getHeader(headers, 'tracestate') });
+  const context = {
+    traceId: parent ? parent.traceId : randomHex(16),
+    spanId: randomHex(8),
+    flags: parent ? parent.flags : '01',
+    state: tracestate === undefined ? parent && parent.state : is(Function, tracestate) ? await tracestate(url, opts) : tracestate
+  };
+  const method = (opts.method || 'GET').toUpperCase();
+  const startTime = Date.now();
+  const end = (status, attributes) => {
+    if (!(parseInt(context.flags, 16) & 1)) return;
+    const endTime = Date.now();
+    exporter.export(reject(isNil, {
+      traceId: context.traceId,
+      spanId: context.spanId,
+      parentSpanId: parent && parent.spanId,
+      name: method,
+      kind: 'client',
+      startTime,
+      endTime,
+      duration: endTime - startTime,
+      status,
+      attributes: reject(isNil, {
+        'http.request.method': method,
+        'url.full': redactUrl(url, []),
+        ...serverAttributes(url),
+        'http.request.resend_count': opts.attempt > 1 ? opts.attempt - 1 : undefined,
+        ...attributes
+      })
+    }));
+  };
+
+  try {
+    const res = await fetch(url, {
+      ...opts,
+      trace: context,
+      headers: mergeHeaders({ traceparent: `00-${context.traceId}-${context.spanId}-${context.flags}`, tracestate: context.state }, headers)
+    });
+    end({ code: res.status >= 400 ? 'ERROR' : 'UNSET' }, {
+      'http.response.status_code': res.status,
+      'error.type': res.status >= 400 ? String(res.status) : undefined
+    });
+    return res;
+  } catch (err) {
+    end({ code: 'ERROR', message: err.message }, { 'error.type': err.name });
+    throw err;
+  }
+});
+export const metrics = curry((registry, fetch) => {
+  const { registry: target, route = routeTemplate } = registry.registry ? registry : { registry };
+  const requests = target.counter('http_client_requests_total', 'HTTP client requests that got a response, by status class.');
+  const duration = target.histogram('http_client_request_duration_seconds', 'HTTP client request duration until the response, in seconds.');
+  const inFlight = target.gauge('http_client_requests_in_flight', 'HTTP client requests waiting for a response.');
+  const errors = target.counter('http_client_errors_total', 'HTTP client requests that rejected, by error name.');
+
+  return async (url, opts = {}) => {
+    const labels = { method: (opts.method || 'GET').toUpperCase(), host: hostOf(url), route: await route(url, opts) };
+    const pending = { method: labels.method, host: labels.host };
+    const startedAt = Date.now();
+    inFlight.add(pending, 1);
+    try {
+      const res = await fetch(url, opts);
+      const completed = { ...labels, status_class: statusClass(res.status) };
+      requests.inc(completed);
+      duration.observe(completed, (Date.now() - startedAt) / 1000);
+      return res;
+    } catch (err) {
+      errors.inc({ ...labels, error: err.name });
+      throw err;
+    } finally {
+      inFlight.add(pending, -1);
+    }
+  };
+});
+export const cache = curry((store, fetch) => async (url, opts = {}) => {
+  const method = inputMethod(url, opts);
+  const key = inputUrl(url);
+  if (method !== 'GET') {
+    const res = await fetch(url, opts);
+    if (!['HEAD', 'OPTIONS'].includes(method) && res.status < 400) await store.delete(key);
+    return res;
+  }
+  if (opts.cache === 'no-store') return fetch(url, opts);
+
+  const requestHeaders = inputHeaders(url, opts);
+  const entry = opts.cache === 'reload' ? undefined : await store.get(key);
+  const cached = entry && varyMatches(entry, requestHeaders) ? entry : undefined;
+  if (cached && (opts.cache === 'force-cache' || (opts.cache !== 'no-cache' && isFresh(cached)))) return cached.response.clone();
+
+  const res = await fetch(url, cached ? mergeOptions({ ...opts, headers: requestHeaders }, { headers: validators(cached.response.headers) }) : opts);
+  if (!cached || res.status !== 304) return storeResponse(store, key, requestHeaders, res);
+  const refreshed = await bufferResponse(cached.response.clone(), mergeHeaders(res.headers, cached.response.headers));
+  return storeResponse(store, key, requestHeaders, refreshed);
+});
+
+export const staleWhileRevalidate = curry(({ maxStale = Infinity, staleIfError = Infinity, store = memoryStore(), onUpdate = () => {} }, fetch) => {
+  const refreshing = new Map();
+  const refresh = (url, opts) => {
+    const key = inputUrl(url);
+    if (!refreshing.has(key)) refreshing.set(key, (async () => {
+      try {
+        const response = await bufferResponse(await fetch(url, omit(['signal'], opts)));
+        if (response.ok) await store.set(key, { response, storedAt: Date.now() });
+        return response;
+      } finally {
+        refreshing.delete(key);
+      }
+    })());
+    return refreshing.get(key);
+  };
+
+  return async (url, opts = {}) => {
+    if (inputMethod(url, opts) !== 'GET') return fetch(url, opts);
+    const entry = await store.get(inputUrl(url));
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+    const canServeStale = limit => entry !== undefined && age <= limit;
+    if (canServeStale(maxStale)) {
+      refresh(url, opts)
+        .then(res => res.ok && onUpdate(res.clone(), url, opts))
+        .catch(() => {});
+      return entry.response.clone();
+    }
+
+    try {
+      const res = await untilAborted(refresh(url, opts), opts.signal);
+      return res.status >= 500 && canServeStale(staleIfError) ? entry.response.clone() : res.clone();
+    } catch (err) {
+      if (!(opts.signal && opts.signal.aborted) && canServeStale(staleIfError)) return entry.response.clone();
+      throw err;
+    }
+  };
+});
+
+export const dedupe = curry((keyFn, fetch) => {
+  const inflight = new Map();
+  const share = (key, url, opts) => {
+    const controller = new AbortController();
+    const shared = { callers: 0 };
+    const forget = () => inflight.get(key) === shared && inflight.delete(key);
+    const settle = () => {
+      forget();
+      shared.many = shared.callers > 1;
+    };
+    // Once every caller aborted, later callers start over instead of joining the aborted request
+    shared.abandon = () => {
+      forget();
+      controller.abort();
+    };
+    shared.response = fetch(url, { ...opts, signal: controller.signal }).then(
+      res => { settle(); return shared.many ? bufferResponse(res) : res; },
+      err => { settle(); throw err; }
+    );
+    inflight.set(key, shared);
+    return shared;
+  };
+
+  return async (url, opts = {}) => {
+    const key = await (keyFn || requestKey)(url, opts);
+    if (key === undefined) return fetch(url, opts);
+    if (opts.signal && opts.signal.aborted) throw abortError();
+    return joinRequest(inflight.get(key) || share(key, url, opts), opts.signal);
+  };
+});
+
+export const concurrency = curry(({
+  max = Infinity,
+  perHost = Infinity,
+  priority = (url, opts) => opts.queuePriority || 0,
+  onChange = () => {},
+  onStart = () => {}
+}, fetch) => {
+  const queue = [];
+  const hosts = new Map();
+  let active = 0;
+
+  const changed = () => onChange({ active, queued: queue.length });
+  const canStart = host => active < max && (hosts.get(host) || 0) < perHost;
+  const next = () => {
+    const index = queue.findIndex(entry => canStart(entry.host));
+    if (index === -1) return;
+    const [entry] = queue.splice(index, 1);
+    active += 1;
+    hosts.set(entry.host, (hosts.get(entry.host) || 0) + 1);
+    onStart({ url: entry.url, wait: Date.now() - entry.queuedAt });
+    entry.start();
+    next();
+  };
+  const release = host => {
+    active -= 1;
+    hosts.set(host, hosts.get(host) - 1);
+    next();
+    changed();
+  };
+  const acquire = (url, host, rank, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const onAbort = () => {
+      queue.splice(queue.indexOf(entry), 1);
+      changed();
+      reject(abortError());
+    };
+    const entry = {
+      url,
+      host,
+      rank,
+      queuedAt: Date.now(),
+      start: () => {
+        signal && signal.removeEventListener('abort', onAbort);
+        resolve();
+      }
+    };
+    const index = queue.findIndex(queued => queued.rank < rank);
+    queue.splice(index === -1 ? queue.length : index, 0, entry);
+    signal && signal.addEventListener('abort', onAbort);
+    next();
+    changed();
+  });
+
+  return async (url, opts = {}) => {
+    if (opts.signal && opts.signal.aborted) throw abortError();
+    const host = hostOf(url);
+    await acquire(url, host, await priority(url, opts), opts.signal);
+    try {
+      return await fetch(url, opts);
+    } finally {
+      release(host);
+    }
+  };
+});
+
+export const rateLimit = curry(({ rate, burst = 1, adaptive = false }, fetch) => {
+  let tokens = burst;
+  let updatedAt = Date.now();
+  let blockedUntil = 0;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - updatedAt) / 1000 * rate);
+    updatedAt = now;
+  };
+  const adapt = res => {
+    const remaining = res.headers.get('RateLimit-Remaining') || res.headers.get('X-RateLimit-Remaining');
+    const reset = rateLimitReset(res);
+    refill();
+    if (remaining !== null) tokens = Math.min(tokens, Number(remaining));
+    if ((remaining === '0' || res.status === 429) && reset !== undefined) blockedUntil = Math.max(blockedUntil, Date.now() + reset);
+  };
+
+  // Responses to other callers can block or drain the bucket while this one waits, so check again after waking
+  const take = async signal => {
+    refill();
+    const delay = Math.max(tokens < 1 ? (1 - tokens) / rate * 1000 : 0, blockedUntil - Date.now());
+    if (delay <= 0) {
+      tokens -= 1;
+      return;
+    }
+    await wait(delay, signal);
+    return take(signal);
+  };
+
+  return async (url, opts = {}) => {
+    await take(opts.signal);
+    const res = await fetch(url, opts);
+    if (adaptive) adapt(res);
+    return res;
+  };
+});
+
+export const circuitBreaker = curry(({
+  failureThreshold = 5,
+  resetTimeout = 30000,
+  isFailure = result => result instanceof Error || result.status >= 500,
+  onStateChange = () => {}
+}, fetch) => {
+  const circuits = new Map();
+  const circuitFor = host => {
+    if (!circuits.has(host)) circuits.set(host, { state: 'closed', failures: 0, openedAt: 0, opened: 0, trial: false });
+    return circuits.get(host);
+  };
+  const transition = (host, circuit, state) => {
+    if (circuit.state === state) return;
+    const from = circuit.state;
+    circuit.state = state;
+    onStateChange({ host, from, to: state });
+  };
+  const record = (host, circuit, failed) => {
+    circuit.trial = false;
+    if (!failed) {
+      circuit.failures = 0;
+      return transition(host, circuit, 'closed');
+    }
+    circuit.failures += 1;
+    if (circuit.state === 'half-open' || circuit.failures >= failureThreshold) {
+      circuit.openedAt = Date.now();
+      circuit.opened += 1;
+      transition(host, circuit, 'open');
+    }
+  };
+
+  return async (url, opts = {}) => {
+    const host = hostOf(url);
+    const circuit = circuitFor(host);
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= resetTimeout) transition(host, circuit, 'half-open');
+    if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.trial)) {
+      throw new CircuitOpenError(host, circuit.openedAt + resetTimeout);
+    }
+    circuit.trial = circuit.state === 'half-open';
+    // Requests sent before the circuit last opened no longer speak for the host
+    const opened = circuit.opened;
+    const settle = async result => {
+      const failed = await isFailure(result);
+      if (circuit.opened === opened) record(host, circuit, failed);
+    };
+
+    let res;
+    try {
+      res = await fetch(url, opts);
+    } catch (err) {
+      if (!(opts.signal && opts.signal.aborted)) await settle(err);
+      else if (circuit.opened === opened) circuit.trial = false;
+      throw err;
+    }
+    await settle(res);
+    return res;
+  };
+});
+
+export const auth = curry((scheme, fetch) => {
+  const provider = is(String, scheme) || is(Function, scheme) ? { authorize: scheme } : scheme;
+  const send = async (url, opts) => {
+    const value = is(Function, provider.authorize) ? await provider.authorize(url, opts) : provider.authorize;
+    return fetch(url, value ? mergeOptions(opts, { headers: { 'Authorization': value } }) : opts);
+  };
+
+  return async (url, opts = {}) => {
+    const res = await send(url, opts);
+    if (res.status !== 401 || !provider.challenge) return res;
+    const replay = await provider.challenge(parseChallenges(res.headers.get('WWW-Authenticate')), res, url, opts);
+    if (!replay) return res;
+    discardBody(res);
+    return send(url, opts);
+  };
+});
+
+export const oauth2 = curry(({
+  tokenUrl,
+  clientId,
+  clientSecret,
+  scope,
+  refreshToken,
+  authMethod = 'basic',
+  leeway = 30000,
+  tokenFetch
+}, fetch) => {
+  let token;
+  let pending;
+  let currentRefreshToken = refreshToken;
+
+  const requestGrant = async grant => {
+    const basic = authMethod === 'basic' && clientSecret !== undefined;
+    const res = await formBody(tokenFetch || fetch)(
+      basic ? grant : { ...grant, client_id: clientId, client_secret: clientSecret },
+      tokenUrl,
+      {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          ...(basic ? basicAuthHeader(encodeURIComponent(clientId), encodeURIComponent(clientSecret)) : {})
+        }
+      }
+    );
+    return rejectIfNotOkay(res, { method: 'POST' }).json();
+  };
+  const requestToken = async () => {
+    const refreshing = currentRefreshToken;
+    let body;
+    try {
+      body = await requestGrant(refreshing
+        ? { grant_type: 'refresh_token', refresh_token: refreshing, scope }
+        : { grant_type: 'client_credentials', scope });
+    } catch (err) {
+      // a rejected refresh token (e.g. invalid_grant) will not start working again
+      if (!refreshing || !(err instanceof ClientError)) throw err;
+      currentRefreshToken = undefined;
+      if (clientSecret === undefined) throw err;
+      body = await requestGrant({ grant_type: 'client_credentials', scope });
+    }
+    const { access_token, token_type = 'Bearer', expires_in, refresh_token } = body;
+    currentRefreshToken = refresh_token || currentRefreshToken;
+    return {
+      value: `${/^bearer$/i.test(token_type) ? 'Bearer' : token_type} ${access_token}`,
+      expiresAt: expires_in === undefined ? Infinity : Date.now() + expires_in * 1000
+    };
+  };
+  const getToken = () => {
+    if (token && Date.now() < token.expiresAt - leeway) return Promise.resolve(token);
+    if (!pending) pending = requestToken().then(
+      fresh => { pending = undefined; token = fresh; return fresh; },
+      err => { pending = undefined; throw err; }
+    );
+    return pending;
+  };
+  const authorized = async (url, opts) => {
+    const used = await getToken();
+    return [used, await fetch(url, mergeOptions(opts, { headers: { 'Authorization': used.value } }))];
+  };
+
+  return async (url, opts = {}) => {
+    const [used, res] = await authorized(url, opts);
+    if (res.status !== 401) return res;
+    discardBody(res);
+    if (token === used) token = undefined;
+    const [, replayed] = await authorized(url, opts);
+    return replayed;
+  };
+});
+
+export const signRequest = curry((signer, fetch) => async (url, opts = {}) => {
+  const headers = mergeHeaders(opts.headers);
+  const signature = await signer({ url: String(url), method: (opts.method || 'GET').toUpperCase(), headers, body: opts.body });
+  return fetch(url, { ...opts, headers: mergeHeaders(signature, headers) });
+});
+
+export const retry = curry((policy, fetch) => async (url, opts = {}) => {
+  const { retries, methods, statuses, errors, maxRetryAfter, ...delays } = { ...RETRY_POLICY, ...(is(Number, policy) ? { retries: policy } : policy) };
+  const retryable = methods.includes((opts.method || 'GET').toUpperCase());
+  const canRetry = (attempt, ms) => retryable && attempt < retries && !(opts.signal && opts.signal.aborted) && ms < remaining(opts);
+
+  const attempt = async n => {
+    let res;
+    try {
+      res = await fetch(url, n ? { ...opts, attempt: n + 1 } : opts);
+    } catch (err) {
+      const ms = backoff(delays, n);
+      if (!canRetry(n, ms) || !errors.includes(err.name)) throw err;
+      await wait(ms, opts.signal);
+      return attempt(n + 1);
+    }
+    const after = retryAfter(res);
+    const ms = after === undefined ? backoff(delays, n) : after;
+    if (!canRetry(n, ms) || !statuses.includes(res.status) || after > maxRetryAfter) return res;
+    discardBody(res);
+    await wait(ms, opts.signal);
+    return attempt(n + 1);
+  };
+
+  return attempt(0);
+});
+export const when = curry((predicate, decorator, fetch) => {
+  const decorated = decorator(fetch);
+  return async (url, opts = {}) => (await predicate(url, opts)) ? decorated(url, opts) : fetch(url, opts);
+});
+export const unless = curry((predicate, decorator, fetch) => when(async (url, opts) => !(await predicate(url, opts)), decorator, fetch));
 
 // applies multiple decorators to fetch
 export const decorate = curry((fetch, decorators) => compose(...decorators)(fetch));